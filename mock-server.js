@@ -0,0 +1,503 @@
+#!/usr/bin/env node
+/**
+ * Lisa Mock Backend
+ * Local stand-in for the Supabase stack so the CLI can be developed offline.
+ *
+ *   node mock-server.js [--port 54321]
+ *   LISA_BACKEND=local lisa
+ *
+ * Speaks the same REST (PostgREST-style) and SSE (agentic-loop) contracts as
+ * production. All data lives in memory and resets on restart.
+ */
+
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+
+const args = process.argv.slice(2);
+const portArg = args.indexOf('--port');
+const PORT = Number(portArg >= 0 ? args[portArg + 1] : process.env.PORT) || 54321;
+
+// Tables that answer 403 as if row-level security denied the user,
+// e.g. MOCK_DENY=lisa_messages,cli_menu_config
+const DENIED_TABLES = (process.env.MOCK_DENY || '').split(',').filter(Boolean);
+
+// =============================================================================
+// Fixture Data
+// =============================================================================
+
+const STORE_ID = '00000000-0000-4000-8000-000000000001';
+const USER_ID = '00000000-0000-4000-8000-000000000010';
+
+const db = {
+  stores: [
+    { id: STORE_ID, store_name: 'Mock Dispensary' },
+  ],
+  users: [
+    { id: 'user-1', auth_user_id: USER_ID, email: 'demo@lisa.local', first_name: 'Demo', store_id: STORE_ID, role: 'owner' },
+  ],
+  locations: [
+    { id: '00000000-0000-4000-8000-000000000101', store_id: STORE_ID, name: 'Eastside', is_active: true },
+    { id: '00000000-0000-4000-8000-000000000102', store_id: STORE_ID, name: 'Westside', is_active: true },
+  ],
+  lisa_conversations: [],
+  lisa_messages: [],
+  cli_menu_config: [],
+};
+
+const SALES = [
+  { product: 'Blue Dream 3.5g', revenue: 4820.5, units: 161 },
+  { product: 'OG Kush Pre-Roll', revenue: 3310, units: 331 },
+  { product: 'Gummies 10pk', revenue: 2975.25, units: 119 },
+  { product: 'Sour Diesel 1g', revenue: 1840, units: 184 },
+  { product: 'Vape Cart 0.5g', revenue: 1322.75, units: 53 },
+];
+
+// Two weeks of daily revenue, oldest first (deterministic, weekend bumps)
+const DAILY = Array.from({ length: 14 }, (_, i) => {
+  const date = new Date(Date.UTC(2024, 4, 1 + i)).toISOString().slice(0, 10);
+  const weekend = [0, 5, 6].includes(new Date(date).getUTCDay());
+  return { date, revenue: Math.round(9000 + 2500 * Math.sin(i / 2) + (weekend ? 3200 : 0) + i * 120) };
+});
+
+// Net revenue by category per location - refunds make some cells negative,
+// and there are more categories than chart colors
+const CATEGORY_SALES = [
+  { label: 'Downtown', values: { Flower: 8200, 'Pre-Rolls': 3100, Edibles: 2700, Vapes: 1900, Concentrates: 1200, Topicals: 400, Accessories: 250 } },
+  { label: 'Eastside', values: { Flower: 6400, 'Pre-Rolls': 2600, Edibles: 3300, Vapes: -350, Concentrates: 900, Topicals: 300, Accessories: 120 } },
+  { label: 'Airport', values: { Flower: 3900, 'Pre-Rolls': 1800, Edibles: 1500, Vapes: 1400, Concentrates: -200, Topicals: 150, Accessories: 380 } },
+];
+
+// Revenue by weekday (0 = Sunday) and hour, open 9am-9pm with an evening rush
+const HOURLY = Array.from({ length: 7 * 13 }, (_, i) => {
+  const dow = Math.floor(i / 13), hour = 9 + (i % 13);
+  const rush = Math.exp(-((hour - 17) ** 2) / 6) * ([0, 5, 6].includes(dow) ? 900 : 600);
+  return { day_of_week: dow, hour, revenue: Math.round(120 + rush + hour * 4 + dow * 15) };
+});
+
+// Inventory for a long table: more rows than fit on one screen
+const INVENTORY = Array.from({ length: 40 }, (_, i) => {
+  const strains = ['Blue Dream', 'OG Kush', 'Sour Diesel', 'Gelato', 'Wedding Cake', 'Granddaddy Purple', 'Pineapple Express', 'Northern Lights'];
+  const forms = ['3.5g', '1g Pre-Roll', '0.5g Cart', '7g Smalls', '10pk Gummies'];
+  const price = [35, 12, 40, 55, 20][i % 5];
+  const stock = (i * 37) % 90 - 5;
+  return [`${strains[i % 8]} ${forms[i % 5]}`, forms[i % 5].includes('Cart') ? 'Vapes' : forms[i % 5].includes('Gummies') ? 'Edibles' : 'Flower', stock, price, stock * price];
+});
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function fakeToken(sub) {
+  const b64 = (o) => Buffer.from(JSON.stringify(o)).toString('base64url');
+  return `${b64({ alg: 'none', typ: 'JWT' })}.${b64({ sub, role: 'authenticated', iat: Math.floor(Date.now() / 1000) })}.mock`;
+}
+
+function session() {
+  const user = db.users[0];
+  return {
+    access_token: fakeToken(USER_ID),
+    refresh_token: randomUUID(),
+    expires_in: 3600,
+    token_type: 'bearer',
+    user: { id: USER_ID, email: user.email },
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', (c) => { data += c; });
+    req.on('end', () => {
+      try { resolve(data ? JSON.parse(data) : {}); } catch { resolve({}); }
+    });
+  });
+}
+
+// Mirrors RLS: anon-key-only requests (no user session) are rejected
+function isUserRequest(req) {
+  const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  return Boolean(bearer) && bearer !== req.headers.apikey;
+}
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Minimal PostgREST filter support: col=eq.value, order=col.asc|desc, limit=n,
+// or=(col.eq.a,col.eq.b) and select=...,table(...) embeds.
+function query(table, params) {
+  let rows = [...(db[table] || [])];
+
+  for (const [key, raw] of params) {
+    if (['select', 'order', 'limit'].includes(key)) continue;
+    if (key === 'or') {
+      const clauses = raw.replace(/^\(|\)$/g, '').split(',').map(c => c.split('.eq.'));
+      rows = rows.filter(r => clauses.some(([col, val]) => String(r[col]) === val));
+      continue;
+    }
+    const [op, ...rest] = raw.split('.');
+    const val = rest.join('.');
+    if (op === 'eq') rows = rows.filter(r => String(r[key]) === val);
+    if (op === 'is' && val === 'null') rows = rows.filter(r => r[key] == null);
+  }
+
+  const order = params.get('order');
+  if (order) {
+    const [col, dir] = order.split('.');
+    rows.sort((a, b) => (a[col] > b[col] ? 1 : a[col] < b[col] ? -1 : 0) * (dir === 'desc' ? -1 : 1));
+  }
+
+  const limit = Number(params.get('limit'));
+  if (limit) rows = rows.slice(0, limit);
+
+  const select = params.get('select') || '';
+  return rows.map(r => {
+    const out = { ...r };
+    if (select.includes('stores(')) out.stores = db.stores.find(s => s.id === r.store_id) || null;
+    if (select.includes('locations(')) out.locations = db.locations.find(l => l.id === r.location_id) || null;
+    return out;
+  });
+}
+
+function insert(table, body) {
+  const rows = (Array.isArray(body) ? body : [body]).map(r => ({
+    id: randomUUID(),
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    ...r,
+  }));
+  db[table] = db[table] || [];
+  db[table].push(...rows);
+  if (table === 'lisa_messages') {
+    for (const m of rows) {
+      const conv = db.lisa_conversations.find(c => c.id === m.conversation_id);
+      if (conv) {
+        conv.updated_at = m.created_at;
+        conv.message_count = (conv.message_count || 0) + 1;
+      }
+    }
+  }
+  return rows;
+}
+
+function getOrCreateConversation({ p_store_id, p_chat_type, p_location_id }) {
+  const existing = db.lisa_conversations.find(c =>
+    c.store_id === p_store_id && c.chat_type === p_chat_type && (c.location_id ?? null) === (p_location_id ?? null)
+  );
+  if (existing) return existing.id;
+  return insert('lisa_conversations', {
+    store_id: p_store_id,
+    chat_type: p_chat_type,
+    location_id: p_location_id ?? null,
+    title: `CLI Chat - ${new Date().toLocaleDateString()}`,
+  })[0].id;
+}
+
+// =============================================================================
+// Device Login
+// =============================================================================
+
+// device_code -> { userCode, polls, approved }. Codes approve themselves after
+// a couple of polls, or immediately via GET /device?code=XXXX-XXXX.
+const deviceCodes = new Map();
+
+function startDevice() {
+  const deviceCode = randomUUID();
+  const userCode = `${Math.random().toString(36).slice(2, 6)}-${Math.random().toString(36).slice(2, 6)}`.toUpperCase();
+  deviceCodes.set(deviceCode, { userCode, polls: 0, approved: false });
+  return {
+    device_code: deviceCode,
+    user_code: userCode,
+    verification_uri: `http://localhost:${PORT}/device`,
+    verification_uri_complete: `http://localhost:${PORT}/device?code=${userCode}`,
+    expires_in: 600,
+    interval: 1,
+  };
+}
+
+function pollDevice({ device_code }) {
+  const entry = deviceCodes.get(device_code);
+  if (!entry) return [400, { error: 'expired_token' }];
+  entry.polls++;
+  if (!entry.approved && entry.polls < 3) return [400, { error: 'authorization_pending' }];
+  deviceCodes.delete(device_code);
+  return [200, session()];
+}
+
+// =============================================================================
+// Agentic Loop (SSE)
+// =============================================================================
+
+async function agenticLoop(req, res) {
+  const body = await readBody(req);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  const streamText = async (text) => {
+    // Uneven chunks so clients exercise their line buffering
+    for (let i = 0; i < text.length;) {
+      const n = 3 + Math.floor(Math.random() * 12);
+      send({ type: 'text_delta', content: text.slice(i, i + n) });
+      i += n;
+      await sleep(5);
+    }
+  };
+
+  const message = String(body.message || '');
+
+  if (body.tool_results?.length) {
+    const summaries = body.tool_results.map(r => {
+      let parsed;
+      try { parsed = JSON.parse(r.content); } catch { parsed = { raw: r.content }; }
+      const count = parsed.entries?.length ?? parsed.files?.length ?? parsed.count;
+      if (parsed.cancelled) return `- ${r.tool_use_id}: cancelled by user`;
+      if (parsed.success === false) return `- ${r.tool_use_id}: failed (${parsed.error})`;
+      return `- ${r.tool_use_id}: ok${count != null ? ` (${count} items)` : ''}`;
+    });
+    await streamText(`Tool results received:\n${summaries.join('\n')}\n`);
+  } else if (/\b(ls|list files|list directory)\b/i.test(message)) {
+    send({
+      type: 'pause_for_tools',
+      pending_tools: [{ id: 'toolu_mock_ls', name: 'LS', input: { path: body.working_directory || '.' } }],
+      assistant_content: [{ type: 'tool_use', id: 'toolu_mock_ls', name: 'LS', input: { path: body.working_directory || '.' } }],
+    });
+    res.end();
+    return;
+  } else if (/^run\s+(.+)/i.test(message)) {
+    // "run COMMAND" asks the client to run it with Bash
+    const input = { command: message.match(/^run\s+(.+)/i)[1], description: 'Run a command' };
+    send({
+      type: 'pause_for_tools',
+      pending_tools: [{ id: 'toolu_mock_bash', name: 'Bash', input }],
+      assistant_content: [{ type: 'tool_use', id: 'toolu_mock_bash', name: 'Bash', input }],
+    });
+    res.end();
+    return;
+  } else if (/\b(rename|write)\s+(\S+)/i.test(message)) {
+    // "rename FILE OLD NEW" edits a file; "write FILE" creates one
+    const [, verb, file, from, to] = message.match(/\b(rename|write)\s+(\S+)(?:\s+(\S+)\s+(\S+))?/i);
+    const file_path = file.startsWith('/') ? file : `${body.working_directory}/${file}`;
+    const tool = verb.toLowerCase() === 'rename'
+      ? { id: 'toolu_mock_edit', name: 'Edit', input: { file_path, old_string: from, new_string: to, replace_all: true } }
+      : { id: 'toolu_mock_write', name: 'Write', input: { file_path, content: '# Notes\n\n- Reorder Blue Dream before Friday\n- Check Eastside refunds\n' } };
+    send({ type: 'pause_for_tools', pending_tools: [tool], assistant_content: [{ type: 'tool_use', ...tool }] });
+    res.end();
+    return;
+  } else if (/\bread\s+(\S+)/i.test(message)) {
+    const file = message.match(/\bread\s+(\S+)/i)[1];
+    const input = { file_path: file.startsWith('/') ? file : `${body.working_directory}/${file}` };
+    send({
+      type: 'pause_for_tools',
+      pending_tools: [{ id: 'toolu_mock_read', name: 'Read', input }],
+      assistant_content: [{ type: 'tool_use', id: 'toolu_mock_read', name: 'Read', input }],
+    });
+    res.end();
+    return;
+  } else if (/markdown|weekly summary/i.test(message)) {
+    // Markdown the way the real backend writes it - streamed in uneven chunks
+    await streamText([
+      '## Weekly Summary',
+      '',
+      'Revenue was **$14,268.50**, up +8.4% on last week. *Flower* led again.',
+      '',
+      '- Blue Dream is the `top` seller',
+      '  - 161 units at $29.94 average',
+      '- Vapes are down -2.1%',
+      '',
+      '> Eastside refunds need a look before Friday.',
+      '',
+      '| Product | Units | Revenue |',
+      '|---|---:|---:|',
+      ...SALES.map(s => `| ${s.product} | ${s.units} | $${s.revenue.toLocaleString('en-US', { minimumFractionDigits: 2 })} |`),
+      '',
+      '```sql',
+      "SELECT product, SUM(total) AS revenue FROM sales WHERE day >= '2024-05-01' GROUP BY 1;",
+      '```',
+      '',
+      'See the [sales dashboard](https://example.com/sales) for more.',
+      '',
+    ].join('\n'));
+  } else if (/dashboard|target|funnel/i.test(message)) {
+    // Dashboard charts, with changes as the strings the model tends to send
+    send({ type: 'tool_start', tool_name: 'get_dashboard' });
+    await sleep(50);
+    send({ type: 'tool_result', tool_name: 'get_sales_target', result: { chart: { type: 'gauge', title: 'May Sales Target', isCurrency: true, data: [{ label: 'Revenue', value: 84200, target: 100000 }, { label: 'Eastside', value: 31050, target: 30000 }] } } });
+    send({ type: 'tool_result', tool_name: 'get_online_funnel', result: { chart: { type: 'funnel', title: 'Online Orders', data: [{ label: 'Visits', value: 12400 }, { label: 'Carts', value: 3100 }, { label: 'Checkouts', value: 1800 }, { label: 'Orders', value: 1240 }] } } });
+    send({ type: 'tool_result', tool_name: 'compare_periods', result: { chart: { type: 'comparison', title: 'This Week vs Last Week', periods: ['This week', 'Last week'], data: [{ label: 'Revenue', current: 14268.5, previous: 13160, isCurrency: true }, { label: 'Orders', current: 412, previous: 430, change: '-4.2%' }, { label: 'Avg Order', current: '$34.63', previous: '$30.60', change: '+13.2%' }] } } });
+    send({ type: 'tool_result', tool_name: 'get_kpis', result: { chart: { type: 'metrics', title: 'KPIs', data: [{ label: 'Revenue', value: '$14.3K', change: '+8.4%' }, { label: 'Orders', value: 412, change: '▼ 4.2%' }] } } });
+    await streamText('You are at 84% of the monthly target with 12 days left.\n');
+  } else if (/chart in (the )?(text|answer)|inline chart/i.test(message)) {
+    // Charts written into the answer: a ```json block, then a chart event
+    await streamText([
+      'Top sellers this week:',
+      '',
+      '```json',
+      JSON.stringify({ chart: { type: 'bar', title: 'Top Products', isCurrency: true, data: SALES.map(s => ({ label: s.product, value: s.revenue })) } }, null, 2),
+      '```',
+      '',
+      'And the split by category:',
+      '',
+    ].join('\n'));
+    send({ type: 'chart', chart: { type: 'pie', title: 'Category Mix', data: [{ label: 'Flower', value: 62 }, { label: 'Vapes', value: 24 }, { label: 'Edibles', value: 14 }] } });
+    await streamText('Flower is still most of the mix.\n');
+  } else if (/inventory|stock levels/i.test(message)) {
+    send({ type: 'tool_start', tool_name: 'get_inventory' });
+    await sleep(50);
+    send({
+      type: 'tool_result',
+      tool_name: 'get_inventory',
+      result: { chart: { type: 'table', title: 'Inventory', headers: ['Product', 'Category', 'On Hand', 'Price', 'Value ($)'], rows: INVENTORY } },
+    });
+    await streamText(`${INVENTORY.filter(r => r[2] < 0).length} products show negative stock - likely unreceived transfers.\n`);
+  } else if (/hour|staffing|busy|busiest/i.test(message)) {
+    send({ type: 'tool_start', tool_name: 'get_hourly_sales' });
+    await sleep(50);
+    send({ type: 'tool_result', tool_name: 'get_hourly_sales', result: { rows: HOURLY } });
+    await streamText(`Evenings from 4-7pm are busiest, especially Friday through Sunday.\n`);
+  } else if (/trend|daily|week/i.test(message)) {
+    // Rows the client has to auto-detect, then an explicit two-series chart
+    send({ type: 'tool_start', tool_name: 'get_daily_sales' });
+    await sleep(50);
+    send({ type: 'tool_result', tool_name: 'get_daily_sales', result: { rows: DAILY } });
+    send({
+      type: 'tool_result',
+      tool_name: 'compare_weeks',
+      result: {
+        chart: {
+          type: 'line',
+          title: 'This Week vs Last Week',
+          series: [
+            { name: 'This week', data: DAILY.slice(7).map(d => ({ label: d.date, value: d.revenue })) },
+            { name: 'Last week', data: DAILY.slice(0, 7).map((d, i) => ({ label: DAILY[i + 7].date, value: d.revenue })) },
+          ],
+        },
+      },
+    });
+    await streamText(`Revenue is trending up +6.1% week over week.\n`);
+  } else if (/category|categories|location/i.test(message)) {
+    send({ type: 'tool_start', tool_name: 'get_category_sales' });
+    await sleep(50);
+    send({
+      type: 'tool_result',
+      tool_name: 'get_category_sales',
+      result: { chart: { type: 'stacked_bar', title: 'Net Revenue by Location', isCurrency: true, data: CATEGORY_SALES } },
+    });
+    send({
+      type: 'tool_result',
+      tool_name: 'get_category_sales',
+      result: {
+        chart: {
+          type: 'grouped_bar',
+          title: 'Flower vs Vapes',
+          isCurrency: true,
+          series: ['Flower', 'Vapes'].map(name => ({ name, data: CATEGORY_SALES.map(l => ({ label: l.label, value: l.values[name] })) })),
+        },
+      },
+    });
+    await streamText(`Downtown leads every category. Eastside refunded more vapes than it sold.\n`);
+  } else if (/sales|revenue|products/i.test(message)) {
+    send({ type: 'tool_start', tool_name: 'get_sales' });
+    await sleep(50);
+    send({
+      type: 'tool_result',
+      tool_name: 'get_sales',
+      result: { chart: { type: 'bar', title: 'Top Products by Revenue', data: SALES.map(s => ({ label: s.product, value: s.revenue })) } },
+    });
+    const total = SALES.reduce((a, s) => a + s.revenue, 0);
+    await streamText(`SALES SUMMARY\n\nTotal revenue today is $${total.toLocaleString('en-US')} across ${SALES.length} products, up +8.4% from yesterday.\n\nBlue Dream is the top seller. Vape carts are low on stock.\n`);
+  } else {
+    await streamText(`Mock backend received: "${message}"\n\nStore: ${body.store_name || body.store_id}\nLocation: ${body.location_name || 'All locations'}\n`);
+  }
+
+  send({ type: 'usage', input_tokens: 1200, output_tokens: 180 });
+  send({ type: 'done' });
+  res.end();
+}
+
+// =============================================================================
+// Router
+// =============================================================================
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname;
+  console.log(`${req.method} ${path}${url.search}`);
+
+  try {
+    if (path === '/auth/v1/token' && req.method === 'POST') {
+      const body = await readBody(req);
+      const grant = url.searchParams.get('grant_type');
+      if (grant === 'password' && (!body.email || !body.password)) {
+        return json(res, 400, { error_description: 'Email and password required' });
+      }
+      if (grant === 'refresh_token' && !body.refresh_token) {
+        return json(res, 400, { error_description: 'Invalid refresh token' });
+      }
+      return json(res, 200, session());
+    }
+
+    if (path === '/functions/v1/cli-device-auth' && req.method === 'POST') {
+      return json(res, 200, startDevice());
+    }
+
+    if (path === '/functions/v1/cli-device-auth/token' && req.method === 'POST') {
+      return json(res, ...pollDevice(await readBody(req)));
+    }
+
+    if (path === '/device' && req.method === 'GET') {
+      const code = (url.searchParams.get('code') || '').toUpperCase();
+      const entry = [...deviceCodes.values()].find(e => e.userCode === code);
+      if (entry) entry.approved = true;
+      res.writeHead(entry ? 200 : 404, { 'Content-Type': 'text/plain' });
+      return res.end(entry ? 'Approved. Return to your terminal.\n' : 'Unknown code\n');
+    }
+
+    if (path === '/auth/v1/user' && req.method === 'GET') {
+      if (!isUserRequest(req)) return json(res, 401, { message: 'JWT required' });
+      return json(res, 200, session().user);
+    }
+
+    if ((path.startsWith('/rest/') || path.startsWith('/functions/')) && !isUserRequest(req)) {
+      return json(res, 401, { message: 'JWT required' });
+    }
+
+    if (path === '/functions/v1/agentic-loop' && req.method === 'POST') {
+      return agenticLoop(req, res);
+    }
+
+    if (path === '/rest/v1/rpc/get_or_create_lisa_conversation' && req.method === 'POST') {
+      return json(res, 200, getOrCreateConversation(await readBody(req)));
+    }
+
+    const table = path.match(/^\/rest\/v1\/(\w+)$/)?.[1];
+    if (table && DENIED_TABLES.includes(table)) {
+      return json(res, 403, { code: '42501', message: `permission denied for table ${table}` });
+    }
+
+    if (table && table in db) {
+      if (req.method === 'GET') return json(res, 200, query(table, url.searchParams));
+      if (req.method === 'POST') {
+        const rows = insert(table, await readBody(req));
+        return (req.headers.prefer || '').includes('return=representation')
+          ? json(res, 201, rows)
+          : (res.writeHead(201), res.end());
+      }
+    }
+
+    json(res, 404, { message: `No mock route for ${req.method} ${path}` });
+  } catch (err) {
+    json(res, 500, { message: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`\n  Lisa mock backend on http://localhost:${PORT}`);
+  console.log(`  Point the CLI at it with: LISA_BACKEND=local lisa\n`);
+});
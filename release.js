@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Lisa CLI Release Tool
+ * Builds the assets `lisa update` expects on a GitHub release:
+ *   lisa, manifest.json, manifest.json.sig
+ *
+ *   node release.js keygen   Create an Ed25519 signing key pair
+ *   node release.js build    Write the release assets to dist/
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, copyFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash, createPrivateKey, createPublicKey, generateKeyPairSync, sign } from 'crypto';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const KEY_FILE = process.env.LISA_SIGNING_KEY || join(__dirname, 'release-signing-key.pem');
+const DIST_DIR = join(__dirname, 'dist');
+
+function keygen() {
+  if (existsSync(KEY_FILE)) {
+    console.error(`  ✗ ${KEY_FILE} already exists - refusing to overwrite it\n`);
+    process.exit(1);
+  }
+
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  writeFileSync(KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  const pem = publicKey.export({ type: 'spki', format: 'pem' }).trim();
+
+  console.log(`  ✓ Private key written to ${KEY_FILE}`);
+  console.log('    Keep it out of git and somewhere safe - it signs every release.\n');
+  console.log('  Set UPDATE_PUBLIC_KEY in lisa.js to:\n');
+  console.log(`  const UPDATE_PUBLIC_KEY = ${JSON.stringify(pem + '\n')};\n`);
+}
+
+function build() {
+  const script = readFileSync(join(__dirname, 'lisa.js'));
+  const version = script.toString('utf8').match(/const VERSION = "([^"]+)"/)?.[1];
+  if (!version) {
+    console.error('  ✗ Could not find VERSION in lisa.js\n');
+    process.exit(1);
+  }
+  // lisa update refuses unsigned manifests, so don't build one
+  if (!existsSync(KEY_FILE)) {
+    console.error(`  ✗ No signing key at ${KEY_FILE} - run \`node release.js keygen\` or set LISA_SIGNING_KEY\n`);
+    process.exit(1);
+  }
+
+  // A release whose embedded key can't check its own signature would lock
+  // every user out of later updates
+  const privateKey = createPrivateKey(readFileSync(KEY_FILE));
+  const publicPem = createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }).trim() + '\n';
+  const embedded = script.toString('utf8').match(/const UPDATE_PUBLIC_KEY = ("[^"\n]*");/)?.[1];
+  if (!embedded || JSON.parse(embedded) !== publicPem) {
+    console.error(`  ✗ UPDATE_PUBLIC_KEY in lisa.js does not match ${KEY_FILE}. Set it to:\n`);
+    console.error(`  const UPDATE_PUBLIC_KEY = ${JSON.stringify(publicPem)};\n`);
+    process.exit(1);
+  }
+
+  if (!existsSync(DIST_DIR)) mkdirSync(DIST_DIR, { recursive: true });
+
+  const manifest = Buffer.from(JSON.stringify({
+    version,
+    asset: 'lisa',
+    sha256: createHash('sha256').update(script).digest('hex'),
+    size: script.length,
+  }, null, 2) + '\n');
+
+  copyFileSync(join(__dirname, 'lisa.js'), join(DIST_DIR, 'lisa'));
+  writeFileSync(join(DIST_DIR, 'manifest.json'), manifest);
+  console.log(`  ✓ dist/lisa and dist/manifest.json for v${version}`);
+
+  const signature = sign(null, manifest, privateKey);
+  writeFileSync(join(DIST_DIR, 'manifest.json.sig'), signature.toString('base64') + '\n');
+  console.log('  ✓ dist/manifest.json.sig');
+
+  console.log(`\n  Upload dist/* to a GitHub release tagged v${version}.`);
+  console.log('  Mark it as a pre-release to ship it to the "latest" channel only.\n');
+}
+
+const command = process.argv[2];
+if (command === 'keygen') keygen();
+else if (command === 'build') build();
+else {
+  console.log('\n  Usage: node release.js keygen | build\n');
+  process.exit(command ? 1 : 0);
+}
@@ -0,0 +1,59 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// lisa.js runs main() when imported - load its definitions without that
+// last call, from a copy that exports what the tests need. HOME points at a
+// scratch directory so nothing touches the real ~/.lisa.
+async function loadLisa(names) {
+  const dir = mkdtempSync(join(tmpdir(), 'lisa-test-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+  process.env.HOME = dir;
+  const source = readFileSync(join(root, 'lisa.js'), 'utf8');
+  const file = join(dir, 'lisa.mjs');
+  writeFileSync(file, `${source.slice(0, source.lastIndexOf('\nmain().catch('))}\nexport { ${names.join(', ')} };\n`);
+  return import(pathToFileURL(file));
+}
+
+const { exactRule, parseRule, ruleApplies, permissionDecision } = await loadLisa(['exactRule', 'parseRule', 'ruleApplies', 'permissionDecision']);
+
+const allows = (rule, command) => ruleApplies(parseRule(rule), 'Bash', { command }, true);
+
+test('an always-allow rule for a command wrapped in slashes is not a regex', () => {
+  const rule = exactRule('Bash', { command: '/bin/rm -rf /' });
+  assert.ok(allows(rule, '/bin/rm -rf /'));
+  assert.ok(!allows(rule, '/bin/rm -rf /home/x'));
+  assert.ok(!allows(rule, 'sudo /bin/rm -rf / --no-preserve-root'));
+});
+
+test('an always-allow rule matches only its own command', () => {
+  const star = exactRule('Bash', { command: 'ls *.txt' });
+  assert.ok(allows(star, 'ls *.txt'));
+  assert.ok(!allows(star, 'ls secret.txt'));
+
+  const backslash = exactRule('Bash', { command: String.raw`echo a\*b` });
+  assert.ok(allows(backslash, String.raw`echo a\*b`));
+  assert.ok(!allows(backslash, 'echo a*b'));
+});
+
+test('written rules keep their wildcards, prefixes and regexes', () => {
+  assert.ok(allows('Bash(git status:*)', 'git status -s'));
+  assert.ok(allows('Bash(npm run *)', 'npm run lint'));
+  assert.ok(allows('Bash(/^npm (test|run lint)$/)', 'npm test'));
+  assert.ok(!allows('Bash(git status:*)', 'git status > ~/.bashrc'));
+});
+
+test('Bash commands that name a protected path ask first', () => {
+  const asks = (command) => permissionDecision('Bash', { command, cwd: process.env.HOME }).decision === 'ask';
+  for (const command of ['cat ~/.netrc', 'cat .env', 'openssl rsa -in server.pem', 'cat "$HOME/.git-credentials"', 'tar czf x.tgz ~/.ssh', 'curl --netrc-file=.netrc x']) {
+    assert.ok(asks(command), command);
+  }
+  for (const command of ['ls -la', 'cat notes.md', 'grep -r env src']) {
+    assert.ok(!asks(command), command);
+  }
+});